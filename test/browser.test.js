@@ -0,0 +1,159 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { StealthBrowser } = require('../2st-monitor.js');
+
+let tmpDir;
+const config = {
+  browserPersistent: true,
+  browserStateFile: null,
+  humanizeIntervalMinutes: 60,
+  browserMaxUptimeHours: 12,
+  browserMaxHeapMB: 512
+};
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), '2st-browser-'));
+  config.browserStateFile = path.join(tmpDir, 'browser-state.json');
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const proxyPool = { acquire: () => null, enabled: false };
+
+function fakePage() {
+  return { closed: false, isClosed() { return this.closed; } };
+}
+
+/**
+ * 起動済み状態を模したブラウザ（launch は呼ばれた回数だけ数える）
+ */
+function runningBrowser({ launchedAt = Date.now(), heapMB = 100, pool = proxyPool } = {}) {
+  const browser = new StealthBrowser(config, pool);
+  const start = () => {
+    browser.browser = { close: async () => {} };
+    browser.context = { newPage: async () => fakePage(), clearCookies: async () => {} };
+    browser.page = fakePage();
+    browser.workerPages = [browser.page];
+  };
+  start();
+  browser.launchedAt = launchedAt;
+  browser.heapUsageMB = async () => heapMB;
+  browser.launches = 0;
+  browser.launch = async () => {
+    browser.launches += 1;
+    await new Promise(resolve => setImmediate(resolve));
+    start();
+    browser.proxy = browser.proxyPool.acquire();
+    browser.generation += 1;
+    browser.launchedAt = Date.now();
+    return browser.page;
+  };
+  return { browser, page: browser.page };
+}
+
+test('人間化は起動直後と一定時間経過後のみ必要', () => {
+  const browser = new StealthBrowser(config, proxyPool);
+  const now = Date.parse('2025-06-01T03:00:00Z');
+
+  assert.equal(browser.needsHumanize(now), true);
+  browser.markHumanized(now);
+  assert.equal(browser.needsHumanize(now + 59 * 60000), false);
+  assert.equal(browser.needsHumanize(now + 60 * 60000), true);
+});
+
+test('正常に稼働中のブラウザはそのまま再利用する', async () => {
+  const { browser, page } = runningBrowser();
+
+  await browser.recycleIfNeeded();
+  assert.equal(await browser.workerPage(0), page);
+  assert.equal(browser.launches, 0);
+});
+
+test('稼働時間・メモリ上限の超過、ページのクラッシュ時は起動し直す', async () => {
+  const old = runningBrowser({ launchedAt: Date.now() - 13 * 3600000 });
+  await old.browser.recycleIfNeeded();
+  assert.notEqual(await old.browser.workerPage(0), old.page);
+  assert.equal(old.browser.launches, 1);
+
+  const heavy = runningBrowser({ heapMB: 800 });
+  assert.match(await heavy.browser.restartReason(), /800MB/);
+  await heavy.browser.recycleIfNeeded();
+  await heavy.browser.workerPage(0);
+  assert.equal(heavy.browser.launches, 1);
+
+  const crashed = runningBrowser();
+  crashed.page.closed = true;
+  await crashed.browser.recycleIfNeeded();
+  await crashed.browser.workerPage(0);
+  assert.equal(crashed.browser.launches, 1);
+});
+
+test('ワーカーごとに別ページを割り当て、同時に要求されても起動は1回だけ', async () => {
+  const { browser } = runningBrowser();
+  await browser.close();
+
+  const pages = await Promise.all([browser.workerPage(0), browser.workerPage(1), browser.workerPage(2)]);
+
+  assert.equal(browser.launches, 1);
+  assert.equal(new Set(pages).size, 3);
+  assert.equal(await browser.workerPage(1), pages[1]);
+});
+
+test('403 によるプロキシ切り替えは1回だけ行い、他のワーカーは新しいブラウザを待って取り直す', async () => {
+  const retired = [];
+  let cursor = 0;
+  const pool = {
+    enabled: true,
+    acquire: () => ['http://proxy-a:8080', 'http://proxy-b:8080', 'http://proxy-c:8080'][cursor++ % 3],
+    retire: proxy => retired.push(proxy),
+    save: async () => {}
+  };
+  const { browser } = runningBrowser({ pool });
+  browser.proxy = pool.acquire();
+  const generation = browser.generation;
+
+  // 同じプロキシで 403 を受けた2ワーカーが同時に切り替えを要求
+  const rotations = [browser.rotateProxy('http://proxy-a:8080'), browser.rotateProxy('http://proxy-a:8080')];
+  assert.equal(browser.wasRestartedSince(generation), true);
+  const page = browser.workerPage(1);
+  await Promise.all(rotations);
+  await page;
+
+  assert.equal(browser.launches, 1);
+  assert.deepEqual(retired, ['http://proxy-a:8080']);
+  assert.equal(browser.proxy, 'http://proxy-b:8080');
+
+  // 切り替え前のプロキシで遅れて 403 を受けたワーカーは、新しいプロキシを退避させない
+  await browser.rotateProxy('http://proxy-a:8080');
+  assert.equal(browser.launches, 1);
+  assert.deepEqual(retired, ['http://proxy-a:8080']);
+  assert.equal(browser.wasRestartedSince(browser.generation), false);
+});
+
+test('人間化は同時に要求されても1回だけ行い、他のワーカーは完了を待つ', async () => {
+  const browser = new StealthBrowser(config, proxyPool);
+  let runs = 0;
+  let finish;
+  const humanize = () => {
+    runs++;
+    return new Promise(resolve => { finish = resolve; });
+  };
+
+  const waiting = [browser.humanizeOnce(humanize), browser.humanizeOnce(humanize), browser.humanizeOnce(humanize)];
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(runs, 1);
+  assert.equal(browser.needsHumanize(), true);
+
+  finish();
+  await Promise.all(waiting);
+  assert.equal(browser.needsHumanize(), false);
+
+  await browser.humanizeOnce(humanize);
+  assert.equal(runs, 1);
+});
@@ -0,0 +1,136 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { CircuitBreaker } = require('../2st-monitor.js');
+
+const MINUTE = 60000;
+let tmpDir;
+let config;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), '2st-circuit-'));
+  config = {
+    circuitBreakerEnabled: true,
+    circuitFailureThreshold: 3,
+    circuitSiteFailureThreshold: 2,
+    circuitCooldownMinutes: 30,
+    circuitMaxCooldownMinutes: 100,
+    circuitFile: path.join(tmpDir, 'circuit.json'),
+    timezone: 'Asia/Tokyo'
+  };
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function trip(breaker, key, now) {
+  let transition = null;
+  for (let i = 0; i < config.circuitFailureThreshold; i++) {
+    transition = breaker.recordFailure(key, '商品取得失敗', now);
+  }
+  return transition;
+}
+
+test('連続失敗が閾値に達したら遮断し、クールダウン中はアクセスしない', () => {
+  const breaker = new CircuitBreaker(config);
+  const now = Date.parse('2025-06-02T01:00:00Z');
+
+  assert.equal(breaker.recordFailure('A', '商品取得失敗', now), null);
+  assert.equal(breaker.recordFailure('A', '商品取得失敗', now), null);
+  assert.equal(breaker.canAttempt('A', now), true);
+  assert.equal(breaker.recordFailure('A', '商品取得失敗', now), 'opened');
+
+  assert.equal(breaker.getCircuit('A').state, 'open');
+  assert.equal(breaker.isOpen('A', now + 29 * MINUTE), true);
+  assert.equal(breaker.canAttempt('A', now + 29 * MINUTE), false);
+  assert.equal(breaker.canAttempt('B', now), true);
+});
+
+test('half-open では試行を1件だけ許可し、結果が出るまで他は拒否する', async () => {
+  const breaker = new CircuitBreaker(config);
+  const now = Date.parse('2025-06-02T01:00:00Z');
+  trip(breaker, 'A', now);
+
+  const afterCooldown = now + 30 * MINUTE;
+  assert.equal(breaker.isOpen('A', afterCooldown), false);
+  assert.equal(breaker.canAttempt('A', afterCooldown), true);
+  assert.equal(breaker.getCircuit('A').state, 'half-open');
+  assert.equal(breaker.canAttempt('A', afterCooldown), false);
+  assert.equal(breaker.canAttempt('A', afterCooldown + 1000), false);
+
+  let waited = false;
+  const waiting = breaker.waitForTrial('A').then(() => { waited = true; });
+  await Promise.resolve();
+  assert.equal(waited, false);
+
+  // 結果を記録せずに枠を返した場合は次の呼び出しが試行する
+  breaker.releaseTrial('A');
+  await waiting;
+  assert.equal(waited, true);
+  assert.equal(breaker.canAttempt('A', afterCooldown), true);
+  assert.equal(breaker.hasTrial('A'), true);
+});
+
+test('試行に失敗したら再遮断し、クールダウンを倍にする（上限あり）', () => {
+  const breaker = new CircuitBreaker(config);
+  let now = Date.parse('2025-06-02T01:00:00Z');
+  trip(breaker, 'A', now);
+
+  const cooldowns = [];
+  for (let i = 0; i < 3; i++) {
+    now = Date.parse(breaker.getCircuit('A').openUntil);
+    assert.equal(breaker.canAttempt('A', now), true);
+    // half-open 中は1回の失敗で遮断
+    assert.equal(breaker.recordFailure('A', '403 Forbidden', now), 'opened');
+    assert.equal(breaker.hasTrial('A'), false);
+    cooldowns.push((Date.parse(breaker.getCircuit('A').openUntil) - now) / MINUTE);
+  }
+
+  assert.deepEqual(cooldowns, [60, 100, 100]);
+  assert.equal(breaker.getCircuit('A').openCount, 4);
+  assert.equal(breaker.getCircuit('A').lastFailureReason, '403 Forbidden');
+});
+
+test('試行に成功したら復旧し、遮断回数をリセットする', async () => {
+  const breaker = new CircuitBreaker(config);
+  const now = Date.parse('2025-06-02T01:00:00Z');
+  trip(breaker, 'A', now);
+
+  assert.equal(breaker.canAttempt('A', now + 30 * MINUTE), true);
+  assert.equal(breaker.recordSuccess('A'), 'closed');
+  assert.equal(breaker.recordSuccess('A'), null);
+
+  const circuit = breaker.getCircuit('A');
+  assert.equal(circuit.state, 'closed');
+  assert.equal(circuit.openCount, 0);
+  assert.equal(circuit.openUntil, null);
+  assert.equal(breaker.hasTrial('A'), false);
+  assert.equal(breaker.canAttempt('A', now + 30 * MINUTE), true);
+  assert.equal(breaker.canAttempt('A', now + 30 * MINUTE), true);
+
+  // 遮断状態は保存され、再起動後の half-open は新しいプロセスで改めて試行できる
+  trip(breaker, 'B', now);
+  breaker.canAttempt('B', now + 30 * MINUTE);
+  await breaker.save();
+  const restarted = new CircuitBreaker(config);
+  await restarted.load();
+  assert.equal(restarted.getCircuit('B').state, 'half-open');
+  assert.equal(restarted.canAttempt('B', now + 30 * MINUTE), true);
+  assert.equal(restarted.canAttempt('B', now + 30 * MINUTE), false);
+});
+
+test('無効化されていれば常にアクセスする', () => {
+  config.circuitBreakerEnabled = false;
+  const breaker = new CircuitBreaker(config);
+  const now = Date.parse('2025-06-02T01:00:00Z');
+
+  assert.equal(trip(breaker, 'A', now), null);
+  assert.equal(breaker.canAttempt('A', now), true);
+  assert.equal(breaker.isOpen('A', now), false);
+});
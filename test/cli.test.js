@@ -0,0 +1,63 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseCliArgs, updateConfigFile, loadConfig, ConfigError, UsageError } = require('../2st-monitor.js');
+
+let tmpDir;
+let configPath;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), '2st-cli-'));
+  configPath = path.join(tmpDir, 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    chatwork: { token: 'test-token', rooms: { camera: '1' } },
+    urls: [{ url: 'https://www.2ndstreet.jp/search?category=950001', category: 'カメラ', roomId: 'camera' }]
+  }));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('最初の位置引数がコマンド、--name value / --name=value はオプション', () => {
+  const options = parseCliArgs(['watch', 'add', 'https://example.com/', '--category', 'レンズ', '--room=camera', '--config', 'c.json']);
+
+  assert.equal(options.command, 'watch');
+  assert.deepEqual(options.args, ['add', 'https://example.com/']);
+  assert.deepEqual(options.flags, { category: 'レンズ', room: 'camera' });
+  assert.equal(options.configPath, 'c.json');
+
+  assert.equal(parseCliArgs(['--healthcheck']).healthcheck, true);
+  assert.equal(parseCliArgs(['-h']).flags.help, true);
+  assert.throws(() => parseCliArgs(['watch', 'add', '--category']), UsageError);
+});
+
+test('監視URLの追加・一時停止は設定ファイルに保存される', async () => {
+  const added = await updateConfigFile(configPath, fileConfig => {
+    fileConfig.urls.push({ url: 'https://www.2ndstreet.jp/search?keyword=lens', category: 'レンズ', roomId: 'camera' });
+  }, {});
+  assert.deepEqual(added.map(urlConfig => urlConfig.urlKey), ['セカンドストリート_カメラ', 'セカンドストリート_レンズ']);
+
+  await updateConfigFile(configPath, fileConfig => {
+    fileConfig.urls[0].enabled = false;
+  }, {});
+
+  const { urls } = await loadConfig({ configPath, env: {} });
+  assert.deepEqual(urls.map(urlConfig => urlConfig.enabled), [false, true]);
+  assert.ok(fs.readFileSync(configPath, 'utf-8').endsWith('}\n'));
+});
+
+test('変更後の設定が不正なら保存しない', async () => {
+  const before = fs.readFileSync(configPath, 'utf-8');
+
+  await assert.rejects(
+    updateConfigFile(configPath, fileConfig => {
+      fileConfig.urls.push({ url: 'not-a-url', category: 'レンズ', roomId: 'camera' });
+    }, {}),
+    ConfigError
+  );
+  assert.equal(fs.readFileSync(configPath, 'utf-8'), before);
+});
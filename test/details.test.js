@@ -0,0 +1,140 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseDetailPage, ProductDetails, notificationImages, SlackNotifier } = require('../2st-monitor.js');
+
+let tmpDir;
+
+function createDetails(overrides = {}) {
+  const config = {
+    detailsFile: path.join(tmpDir, 'details.json'),
+    detailsEnabled: true,
+    detailsMaxPerCheck: 2,
+    detailsCacheSize: 100,
+    ...overrides
+  };
+  return new ProductDetails(config, () => new Date('2025-06-01T03:00:00Z'));
+}
+
+function product(goodsId, name = `商品${goodsId}`) {
+  return { goodsId, name, price: '1000', url: `https://www.2ndstreet.jp/goods/detail/goodsId/${goodsId}/shopsId/31116` };
+}
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), '2st-details-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('詳細ページから状態ランク・仕様・店舗・説明・メイン画像を抽出する', () => {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'detail-normal.html'), 'utf-8');
+
+  assert.deepEqual(parseDetailPage(html), {
+    conditionRank: 'B',
+    description: 'シャッター・露出計動作確認済み。 外装に使用感・小キズがあります。',
+    specs: [
+      { label: '型番', value: 'F3' },
+      { label: 'カラー', value: 'ブラック' },
+      { label: 'サイズ', value: 'W148 × H101 × D66 mm' }
+    ],
+    storeName: '渋谷神南店',
+    imageUrl: 'https://cdn2.2ndstreet.jp/img/pc/goods/233129/034567/1.jpg'
+  });
+});
+
+test('詳細は1商品1回だけ取得し、失敗も記録して再取得しない', async () => {
+  const details = createDetails();
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'detail-normal.html'), 'utf-8');
+  const requested = [];
+  const fetchHtml = async url => {
+    requested.push(url);
+    return url.includes('/2/') ? { status: 404, html: '' } : { status: 200, html };
+  };
+
+  await details.fetchMissing([product('1'), product('2'), product('3')], fetchHtml);
+  assert.equal(requested.length, 2, 'maxPerCheck 件まで');
+  assert.equal(details.withDetails(product('1')).details.conditionRank, 'B');
+  assert.equal(details.withDetails(product('2')).details, undefined);
+
+  await details.fetchMissing([product('1'), product('2'), product('3')], fetchHtml);
+  assert.deepEqual(requested.map(url => url.match(/goodsId\/(\d+)/)[1]), ['1', '2', '3']);
+
+  await details.save();
+  const reloaded = createDetails();
+  await reloaded.load();
+  assert.equal(reloaded.withDetails(product('3')).details.storeName, '渋谷神南店');
+});
+
+test('403・Bot対策ページを受けたら残りの詳細ページは読まずにブロックとして返す', async () => {
+  const details = createDetails({ detailsMaxPerCheck: 10 });
+  let calls = 0;
+
+  const forbidden = await details.fetchMissing([product('1'), product('2'), product('3')], async () => {
+    calls++;
+    return { status: 403, html: '' };
+  });
+  assert.equal(calls, 1);
+  assert.deepEqual(forbidden, { attempted: 3, blocked: '403 Forbidden' });
+
+  const botPage = await details.fetchMissing([product('1'), product('2')], async () => {
+    calls++;
+    return { status: 200, html: '<html><title>Access Denied</title></html>' };
+  });
+  assert.equal(calls, 2);
+  assert.equal(botPage.blocked, 'Bot対策ページ');
+});
+
+test('Bot対策スクリプトが埋め込まれただけの通常の詳細ページはブロック扱いしない', async () => {
+  const details = createDetails();
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'detail-cloudflare-script.html'), 'utf-8');
+
+  const result = await details.fetchMissing([product('1'), product('2')], async () => ({ status: 200, html }));
+
+  assert.deepEqual(result, { attempted: 2, blocked: null });
+  assert.equal(details.withDetails(product('1')).details.conditionRank, 'B');
+  assert.equal(details.withDetails(product('2')).details.storeName, '渋谷神南店');
+});
+
+test('一時的な失敗はキャッシュせず次回読み直し、404 だけ取得済みとして扱う', async () => {
+  const details = createDetails({ detailsMaxPerCheck: 10 });
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'detail-normal.html'), 'utf-8');
+  const products = [product('1'), product('2'), product('3'), product('4')];
+  const requested = [];
+  let recovered = false;
+  const fetchHtml = async url => {
+    const goodsId = url.match(/goodsId\/(\d+)/)[1];
+    requested.push(goodsId);
+    if (recovered) return { status: 200, html };
+    if (goodsId === '1') throw new Error('timeout of 20000ms exceeded');
+    if (goodsId === '2') return { status: 503, html: '' };
+    if (goodsId === '3') return { status: 404, html: '' };
+    return { status: 200, html };
+  };
+
+  assert.deepEqual(await details.fetchMissing(products, fetchHtml), { attempted: 4, blocked: null });
+  // ブロックされた商品もキャッシュしない
+  await details.fetchMissing([product('5')], async () => ({ status: 403, html: '' }));
+
+  recovered = true;
+  requested.length = 0;
+  await details.fetchMissing([...products, product('5')], fetchHtml);
+  assert.deepEqual(requested, ['1', '2', '5']);
+  assert.equal(details.withDetails(product('1')).details.conditionRank, 'B');
+  assert.equal(details.withDetails(product('3')).details, undefined);
+});
+
+test('新着通知には詳細の画像を優先して添付し、チャネルごとに無効化できる', () => {
+  const withDetail = { ...product('1'), imageUrl: 'https://cdn.example/list.jpg', details: { imageUrl: 'https://cdn.example/detail.jpg' } };
+  const listOnly = { ...product('2'), imageUrl: 'https://cdn.example/list2.jpg' };
+  const notification = { kind: 'new', title: '新着', url: 'https://www.2ndstreet.jp/search', entries: [{ product: withDetail }, { product: listOnly }] };
+
+  assert.deepEqual(notificationImages(notification).map(({ url }) => url), ['https://cdn.example/detail.jpg', 'https://cdn.example/list2.jpg']);
+  assert.deepEqual(notificationImages({ ...notification, kind: 'priceDrop' }), []);
+  assert.equal(new SlackNotifier('slack', { attachImages: false }).images(notification).length, 0);
+  assert.equal(new SlackNotifier('slack', {}).images(notification).length, 2);
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compileFilters, matchesFilters, applyFilters } = require('../2st-monitor.js');
+
+function product(name, price, brand) {
+  return { goodsId: name, name, price: String(price), brand };
+}
+
+test('未指定なら全商品を通す', () => {
+  assert.equal(compileFilters(undefined), null);
+  assert.equal(compileFilters({}), null);
+  assert.equal(matchesFilters(product('Nikon F3', 42900), null), true);
+});
+
+test('キーワードは全角・半角や大文字小文字を区別せず部分一致で判定する', () => {
+  const filters = compileFilters({ include: ['ｎｉｋｏｎ', 'Canon'], exclude: ['ジャンク'] });
+
+  assert.equal(matchesFilters(product('NIKON F3 ボディ', 42900), filters), true);
+  assert.equal(matchesFilters(product('canon AE-1', 19800), filters), true);
+  assert.equal(matchesFilters(product('Nikon F3 ジャンク', 5000), filters), false);
+  assert.equal(matchesFilters(product('PENTAX MX', 15000), filters), false);
+});
+
+test('価格帯とブランドで絞り込み、ブランド欄がなければ商品名で判定する', () => {
+  const filters = compileFilters({ minPrice: 10000, maxPrice: 50000, brands: ['Nikon'] });
+
+  assert.equal(matchesFilters(product('F3', 10000, 'Nikon'), filters), true);
+  assert.equal(matchesFilters(product('F3', 50001, 'Nikon'), filters), false);
+  assert.equal(matchesFilters(product('F3', 9999, 'Nikon'), filters), false);
+  assert.equal(matchesFilters(product('AE-1', 20000, 'Canon'), filters), false);
+  assert.equal(matchesFilters(product('ニコン Nikon FM2', 30000), filters), true);
+});
+
+test('g・y フラグ付きの正規表現でも判定が呼び出し順に左右されない', () => {
+  const filters = compileFilters({ include: ['/F3/gi'], exclude: ['/^junk/y'] });
+  const f3 = product('Nikon F3', 42900);
+
+  assert.deepEqual([1, 2, 3].map(() => matchesFilters(f3, filters)), [true, true, true]);
+  assert.equal(matchesFilters(product('nikon f3 HP', 52000), filters), true);
+  assert.deepEqual([1, 2].map(() => matchesFilters(product('junk F3', 3000), filters)), [false, false]);
+});
+
+test('不正な正規表現はコンパイル時に例外になる（設定検証でエラーにする）', () => {
+  assert.throws(() => compileFilters({ include: ['/[/'] }), SyntaxError);
+});
+
+test('新商品・値下げ・再出品それぞれにフィルタを適用し除外件数を数える', () => {
+  const filters = compileFilters({ exclude: ['ジャンク'], maxPrice: 30000 });
+  const changes = {
+    newProducts: [product('FM2', 28000), product('F3 ジャンク', 5000)],
+    // 値下げ・再出品は変動後の商品で判定する
+    priceDrops: [{ product: product('F3', 29800), previousPrice: 42900 }, { product: product('F4', 39800), previousPrice: 52000 }],
+    relisted: [{ product: product('F2 ジャンク', 8000) }]
+  };
+
+  const filtered = applyFilters(changes, filters);
+  assert.deepEqual(filtered.newProducts.map(p => p.name), ['FM2']);
+  assert.deepEqual(filtered.priceDrops.map(({ product }) => product.name), ['F3']);
+  assert.deepEqual(filtered.relisted, []);
+  assert.equal(filtered.filteredCount, 3);
+
+  assert.deepEqual(applyFilters(changes, null), { ...changes, filteredCount: 0 });
+});
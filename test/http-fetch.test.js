@@ -0,0 +1,127 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const { HttpFetcher } = require('../2st-monitor.js');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf-8');
+}
+
+let server;
+let baseUrl;
+const requests = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests.push({ url: req.url, cookie: req.headers.cookie || '' });
+    if (req.url === '/') {
+      res.writeHead(200, { 'Set-Cookie': 'session=abc; Path=/' });
+      res.end('<html></html>');
+    } else if (req.url === '/search/old') {
+      res.writeHead(302, { 'Location': '/search/normal', 'Set-Cookie': 'redirected=1; Path=/' });
+      res.end();
+    } else if (req.url === '/search/normal') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(fixture('search-normal.html'));
+    } else if (req.url === '/search/empty') {
+      res.end(fixture('search-empty.html'));
+    } else if (req.url === '/search/js') {
+      res.end('<html><body><div id="app"></div><script src="/app.js"></script></body></html>');
+    } else {
+      res.writeHead(403);
+      res.end('Forbidden');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function createFetcher() {
+  return new HttpFetcher({
+    httpFetchEnabled: true,
+    httpFetchTimeoutMs: 5000,
+    userAgent: 'test-agent',
+    perHostConcurrency: 1,
+    minRequestIntervalMs: 0
+  });
+}
+
+function urlConfig(pathname) {
+  return { url: `${baseUrl}${pathname}`, displayName: 'テスト', category: pathname };
+}
+
+test('トップページの Cookie とリダイレクト中の Cookie を引き継いで検索ページを取得する', async () => {
+  requests.length = 0;
+  const result = await createFetcher().fetchSearchPage(urlConfig('/search/old'));
+
+  assert.equal(result.status, 'ok');
+  assert.equal(result.products.length, 3);
+  assert.deepEqual(requests.map(r => r.url), ['/', '/search/old', '/search/normal']);
+  assert.equal(requests[1].cookie, 'session=abc');
+  assert.equal(requests[2].cookie, 'session=abc; redirected=1');
+});
+
+test('2回連続で1位が一致したら採用する', async () => {
+  const result = await createFetcher().fetchWithConsistencyCheck(urlConfig('/search/normal'), 3);
+
+  assert.equal(result.status, 'ok');
+  assert.equal(result.products[0].goodsId, '2331290345678');
+});
+
+test('該当商品なしはそのまま返し、JS描画のページ・403 はブラウザへのフォールバック対象になる', async () => {
+  assert.equal((await createFetcher().fetchWithConsistencyCheck(urlConfig('/search/empty'))).status, 'empty');
+  assert.equal((await createFetcher().fetchWithConsistencyCheck(urlConfig('/search/js'))).status, 'layout_changed');
+
+  const fetcher = createFetcher();
+  assert.equal((await fetcher.fetchWithConsistencyCheck(urlConfig('/blocked'))).status, 'blocked');
+  assert.equal(fetcher.enabled, false);
+});
+
+test('並行取得でもプロキシは呼び出しごとに固定され、結果に使ったプロキシが付く', async () => {
+  const proxies = ['http://proxy-a:8080', 'http://proxy-b:8080'];
+  let cursor = 0;
+  const fetcher = new HttpFetcher(
+    { httpFetchEnabled: true, userAgent: 'test-agent' },
+    { acquire: () => proxies[cursor++ % proxies.length] }
+  );
+  fetcher.warmedUp = true;
+  const calls = [];
+  fetcher.get = async (url, referer, proxy) => {
+    calls.push({ url, proxy });
+    await new Promise(resolve => setImmediate(resolve));
+    return { status: 200, html: fixture('search-normal.html') };
+  };
+
+  const [a, b] = await Promise.all([
+    fetcher.fetchWithConsistencyCheck(urlConfig('/search/a'), 2),
+    fetcher.fetchWithConsistencyCheck(urlConfig('/search/b'), 2)
+  ]);
+
+  assert.equal(a.proxy, 'http://proxy-a:8080');
+  assert.equal(b.proxy, 'http://proxy-b:8080');
+  assert.ok(calls.filter(call => call.url.endsWith('/search/a')).every(call => call.proxy === a.proxy));
+  assert.ok(calls.filter(call => call.url.endsWith('/search/b')).every(call => call.proxy === b.proxy));
+});
+
+test('ブロックされた検索ページのプロキシは退避し、ドライランでは退避しない', async () => {
+  const retired = [];
+  const proxyPool = { acquire: () => 'http://proxy-a:8080', retire: proxy => retired.push(proxy) };
+  const blockedFetcher = () => {
+    const fetcher = new HttpFetcher({ httpFetchEnabled: true, userAgent: 'test-agent' }, proxyPool);
+    fetcher.warmedUp = true;
+    fetcher.get = async () => ({ status: 403, html: 'Forbidden' });
+    return fetcher;
+  };
+
+  const result = await blockedFetcher().fetchWithConsistencyCheck(urlConfig('/search/a'));
+  assert.equal(result.status, 'blocked');
+  assert.deepEqual(retired, ['http://proxy-a:8080']);
+
+  await blockedFetcher().fetchWithConsistencyCheck(urlConfig('/search/a'), 3, { retireBlocked: false });
+  assert.deepEqual(retired, ['http://proxy-a:8080']);
+});
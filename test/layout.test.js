@@ -0,0 +1,79 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { LayoutMonitor } = require('../2st-monitor.js');
+
+let tmpDir;
+let now;
+
+function createMonitor(overrides = {}) {
+  const config = {
+    layoutFile: path.join(tmpDir, 'layout.json'),
+    htmlSampleDir: path.join(tmpDir, 'samples'),
+    layoutFailureThreshold: 3,
+    layoutMaxSamples: 2,
+    ...overrides
+  };
+  return new LayoutMonitor(config, () => new Date(now));
+}
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), '2st-layout-'));
+  now = Date.parse('2025-06-01T03:00:00Z');
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('しきい値に達した回だけ検知を返し、復旧時は一度だけ recovered を返す', () => {
+  const monitor = createMonitor();
+
+  assert.equal(monitor.recordFailure('セカンドストリート_カメラ'), null);
+  assert.equal(monitor.recordFailure('セカンドストリート_カメラ'), null);
+  assert.equal(monitor.recordFailure('セカンドストリート_カメラ'), 'detected');
+  assert.equal(monitor.recordFailure('セカンドストリート_カメラ'), null);
+  assert.equal(monitor.getEntry('セカンドストリート_カメラ').consecutiveFailures, 4);
+
+  assert.equal(monitor.recordSuccess('セカンドストリート_カメラ'), 'recovered');
+  assert.equal(monitor.recordSuccess('セカンドストリート_カメラ'), null);
+  assert.equal(monitor.getEntry('セカンドストリート_カメラ').consecutiveFailures, 0);
+});
+
+test('しきい値未満で成功すれば連続回数はリセットされる', () => {
+  const monitor = createMonitor();
+
+  monitor.recordFailure('A_時計');
+  monitor.recordFailure('A_時計');
+  assert.equal(monitor.recordSuccess('A_時計'), null);
+  assert.equal(monitor.recordFailure('A_時計'), null);
+});
+
+test('失敗時のHTMLを保存し、古いものから削除する', async () => {
+  const monitor = createMonitor();
+
+  const paths = [];
+  for (let i = 0; i < 3; i++) {
+    paths.push(await monitor.saveSample('A/B_カメラ', `<html>${i}</html>`));
+    now += 60000;
+  }
+
+  const remaining = fs.readdirSync(path.join(tmpDir, 'samples')).sort();
+  assert.equal(remaining.length, 2);
+  assert.deepEqual(remaining, paths.slice(1).map(p => path.basename(p)));
+  assert.equal(fs.readFileSync(paths[2], 'utf-8'), '<html>2</html>');
+});
+
+test('状態は保存・再読み込みできる', async () => {
+  const monitor = createMonitor();
+  monitor.recordFailure('A_カメラ', 'sample.html');
+  await monitor.save();
+
+  const reloaded = createMonitor();
+  await reloaded.load();
+  assert.equal(reloaded.getEntry('A_カメラ').consecutiveFailures, 1);
+  assert.equal(reloaded.getEntry('A_カメラ').lastSample, 'sample.html');
+});
@@ -0,0 +1,123 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { RunLock, EXIT_CODES, cycleExitCode, runOnce, runSnapshotCommand } = require('../2st-monitor.js');
+
+let tmpDir;
+let config;
+
+function writeLock(holder, mtime = new Date()) {
+  fs.writeFileSync(config.lockFile, JSON.stringify(holder));
+  fs.utimesSync(config.lockFile, mtime, mtime);
+}
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), '2st-lock-'));
+  config = { timezone: 'Asia/Tokyo', lockFile: path.join(tmpDir, 'monitor.lock'), lockStaleMinutes: 10 };
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('ロックを取得し、解放するとファイルを削除する', async () => {
+  const lock = new RunLock(config);
+
+  assert.deepEqual(await lock.acquire(), { acquired: true });
+  assert.equal(JSON.parse(fs.readFileSync(config.lockFile, 'utf-8')).pid, process.pid);
+
+  await lock.release();
+  assert.equal(fs.existsSync(config.lockFile), false);
+});
+
+test('実行中のプロセスが保持しているロックは取得できない', async () => {
+  writeLock({ pid: process.ppid, hostname: os.hostname() });
+
+  const { acquired, holder } = await new RunLock(config).acquire();
+
+  assert.equal(acquired, false);
+  assert.equal(holder.pid, process.ppid);
+});
+
+test('終了済みプロセスのロックは放棄されたものとして取り直す', async () => {
+  writeLock({ pid: 2 ** 22 + 1, hostname: os.hostname() });
+  const lock = new RunLock(config);
+
+  assert.equal((await lock.acquire()).acquired, true);
+  await lock.release();
+});
+
+test('別ホストのロックは一定時間更新がなければ取り直す', async () => {
+  writeLock({ pid: 1, hostname: 'other-host' }, new Date(Date.now() - 5 * 60000));
+  assert.equal((await new RunLock(config).acquire()).acquired, false);
+
+  writeLock({ pid: 1, hostname: 'other-host' }, new Date(Date.now() - 11 * 60000));
+  const lock = new RunLock(config);
+  assert.equal((await lock.acquire()).acquired, true);
+  await lock.release();
+});
+
+test('サイクルの結果から終了コードを決める', () => {
+  const summary = results => ({ results, siteBlocked: false, fatalError: null });
+
+  assert.equal(cycleExitCode(summary({ a: 'ok', b: 'empty' })), EXIT_CODES.ok);
+  assert.equal(cycleExitCode(summary({ a: 'ok', b: 'layout_changed' })), EXIT_CODES.partial);
+  assert.equal(cycleExitCode(summary({ a: 'error', b: 'blocked' })), EXIT_CODES.blocked);
+  assert.equal(cycleExitCode({ results: {}, siteBlocked: true, fatalError: null }), EXIT_CODES.blocked);
+  assert.equal(cycleExitCode({ results: { a: 'ok' }, siteBlocked: false, fatalError: new Error('x') }), EXIT_CODES.fatal);
+});
+
+test('ベースラインの消去は監視プロセスの実行中なら行わない', async t => {
+  t.mock.method(console, 'log', () => {});
+  const snapshotFile = path.join(tmpDir, 'snapshot.json');
+  const snapshots = JSON.stringify({ 'A_カメラ': { seenKeys: ['id:1'], items: {} } });
+  fs.writeFileSync(snapshotFile, snapshots);
+  const commandConfig = { ...config, storageBackend: 'json', snapshotFile, statsFile: path.join(tmpDir, 'stats.json') };
+
+  writeLock({ pid: process.ppid, hostname: os.hostname() });
+  assert.equal(await runSnapshotCommand({ config: commandConfig }, ['reset', 'A_カメラ'], {}), EXIT_CODES.locked);
+  assert.equal(fs.readFileSync(snapshotFile, 'utf-8'), snapshots);
+
+  fs.rmSync(config.lockFile);
+  assert.equal(await runSnapshotCommand({ config: commandConfig }, ['reset', 'A_カメラ'], {}), true);
+  assert.deepEqual(JSON.parse(fs.readFileSync(snapshotFile, 'utf-8')), {});
+  assert.equal(fs.existsSync(config.lockFile), false);
+});
+
+test('--once は有効な全URLを、--due-only は実行時刻を迎えたURLだけをチェックする', async t => {
+  t.mock.method(console, 'log', () => {});
+  const urls = [{ urlKey: 'A_カメラ' }, { urlKey: 'A_時計' }];
+  const runtime = () => {
+    const scheduled = [];
+    return {
+      scheduled,
+      config: { timezone: 'Asia/Tokyo' },
+      urls,
+      // サイト全体が遮断中の扱いにしてブラウザを起動せずにサイクルを終える
+      breaker: { isOpen: () => true, canAttempt: () => false, describe: () => '遮断中' },
+      outbox: { flush: async () => {} },
+      statsManager: { update: async () => {} },
+      browser: { close: async () => {} },
+      scheduler: {
+        dueUrls: all => all.slice(0, 1),
+        nextDue: all => ({ urlConfig: all[0], at: new Date() }),
+        scheduleNext: urlConfig => {
+          scheduled.push(urlConfig.urlKey);
+          return { nextRunAt: new Date(), reason: 'テスト' };
+        },
+        save: async () => {}
+      }
+    };
+  };
+
+  const all = runtime();
+  assert.equal(await runOnce(all), EXIT_CODES.blocked);
+  assert.deepEqual(all.scheduled, ['A_カメラ', 'A_時計']);
+
+  const due = runtime();
+  await runOnce(due, { dueOnly: true });
+  assert.deepEqual(due.scheduled, ['A_カメラ']);
+});
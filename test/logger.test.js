@@ -0,0 +1,57 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Logger, withLogContext } = require('../2st-monitor.js');
+
+function capture() {
+  const lines = { out: [], err: [] };
+  mock.method(console, 'log', line => lines.out.push(line));
+  mock.method(console, 'error', line => lines.err.push(line));
+  return lines;
+}
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('text 形式は従来どおりの表示で、設定したレベル未満は出さない', () => {
+  const lines = capture();
+  const logger = new Logger({ logLevel: 'info', logFormat: 'text' });
+
+  logger.debug('    📡 HTTPステータス: 200');
+  logger.info('    ✅ 20件取得');
+  logger.warn('    ⚠️  一貫性未確認');
+  logger.error('❌ 致命的エラー: boom', { error: new Error('boom') });
+
+  assert.deepEqual(lines.out, ['    ✅ 20件取得', '    ⚠️  一貫性未確認']);
+  assert.equal(lines.err[0], '❌ 致命的エラー: boom');
+  assert.match(lines.err[1], /^Error: boom\n\s+at /);
+});
+
+test('json 形式は1行1JSONで、実行ID・URLキーなどの文脈を付ける', async () => {
+  const lines = capture();
+  const logger = new Logger({ logLevel: 'debug', logFormat: 'json' });
+
+  await withLogContext({ runId: 'abcd1234' }, async () => {
+    logger.info('='.repeat(60));
+    await withLogContext({ urlKey: 'A_カメラ' }, async () => {
+      await Promise.resolve();
+      logger.debug('    📡 HTTPステータス: 200');
+    });
+    logger.error('\n❌ 致命的エラー: boom', { error: new Error('boom') });
+  });
+  logger.info('✅ 監視システム終了');
+
+  // 区切り線は出さない
+  const [fetched, done] = lines.out.map(line => JSON.parse(line));
+  const [fatal] = lines.err.map(line => JSON.parse(line));
+  assert.equal(lines.out.length, 2);
+  assert.deepEqual({ ...fetched, time: undefined }, { time: undefined, level: 'debug', msg: '📡 HTTPステータス: 200', runId: 'abcd1234', urlKey: 'A_カメラ' });
+  assert.equal(fatal.level, 'error');
+  assert.equal(fatal.msg, '❌ 致命的エラー: boom');
+  assert.equal(fatal.runId, 'abcd1234');
+  assert.equal(fatal.urlKey, undefined);
+  assert.equal(fatal.error.message, 'boom');
+  assert.match(fatal.error.stack, /^Error: boom/);
+  assert.equal(done.runId, undefined);
+});
@@ -0,0 +1,263 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+
+const {
+  ChatWorkNotifier,
+  SlackNotifier,
+  DiscordNotifier,
+  LineNotifier,
+  EmailNotifier,
+  WebhookNotifier,
+  NotificationRouter,
+  RateLimiter
+} = require('../2st-monitor.js');
+
+// 通知先APIのスタブ: /fail/<status> と ChatWork のルーム <status> へのファイル投稿はそのステータスを返し、
+// /img/ は画像、それ以外は 200
+let server;
+let baseUrl;
+const requests = [];
+
+// SMTP のスタブ: blocked@ 宛ては 550 で拒否する
+let smtpServer;
+let smtpPort;
+const mails = [];
+
+function startSmtpStub() {
+  return net.createServer(socket => {
+    const mail = { from: null, to: [], data: null };
+    let data = null;
+    let buffer = '';
+    socket.write('220 stub ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (data !== null) {
+          if (line === '.') {
+            mails.push({ ...mail, data: data.join('\r\n') });
+            data = null;
+            socket.write('250 OK\r\n');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250 stub\r\n');
+        } else if (command === 'MAIL') {
+          mail.from = line;
+          socket.write('250 OK\r\n');
+        } else if (command === 'RCPT') {
+          if (line.includes('blocked@')) {
+            socket.write('550 mailbox unavailable\r\n');
+          } else {
+            mail.to.push(line);
+            socket.write('250 OK\r\n');
+          }
+        } else if (command === 'DATA') {
+          data = [];
+          socket.write('354 go ahead\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const failure = req.url.match(/^\/fail\/(\d+)/) || req.url.match(/^\/rooms\/([45]\d\d)\/files$/);
+      if (failure) {
+        res.writeHead(Number(failure[1]), { 'Retry-After': '7' });
+        res.end('error');
+        return;
+      }
+      if (req.url.startsWith('/img/')) {
+        res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+        res.end(Buffer.from([0xff, 0xd8, 0xff, 0xd9]));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  smtpServer = startSmtpStub();
+  await new Promise(resolve => smtpServer.listen(0, '127.0.0.1', resolve));
+  smtpPort = smtpServer.address().port;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => smtpServer.close(resolve));
+});
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  requests.length = 0;
+  mails.length = 0;
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+function notification() {
+  return {
+    kind: 'new',
+    title: '📍 セカンドストリート + カメラ',
+    urlKey: 'セカンドストリート_カメラ',
+    url: 'https://www.2ndstreet.jp/search?category=950001',
+    entries: [{ product: { goodsId: '1', name: 'Nikon F3', price: '42900', url: 'https://www.2ndstreet.jp/goods/detail/goodsId/1' }, change: null }]
+  };
+}
+
+test('ChatWork はトークン付きのフォーム形式でルームへ投稿する', async () => {
+  const notifier = new ChatWorkNotifier('camera', { token: 'cw-token', roomId: '123', apiBase: baseUrl });
+
+  assert.equal((await notifier.send(notification())).ok, true);
+
+  const [request] = requests;
+  assert.equal(request.url, '/rooms/123/messages');
+  assert.equal(request.headers['x-chatworktoken'], 'cw-token');
+  assert.equal(request.headers['content-type'], 'application/x-www-form-urlencoded');
+  const body = new URLSearchParams(request.body).get('body');
+  assert.match(body, /^\[info\]/);
+  assert.match(body, /■Nikon F3・42900円/);
+});
+
+test('ChatWork の画像アップロードは本文と同じレート制限枠・プロキシを通す', async () => {
+  const acquired = [];
+  const proxyPool = { acquire: () => { acquired.push(true); return null; } };
+  const notifier = new ChatWorkNotifier('camera', { token: 'cw-token', roomId: '123', apiBase: baseUrl }, proxyPool);
+  const withImages = notification();
+  withImages.entries = [1, 2, 3].map(id => ({
+    product: { goodsId: String(id), name: `商品${id}`, price: '1000', imageUrl: `${baseUrl}/img/${id}.jpg` },
+    change: null
+  }));
+  // 本文の1回分は送信箱が取ってから send を呼ぶ
+  const limiter = new RateLimiter({ limit: 3, windowMs: 60000 });
+  await limiter.acquire();
+
+  assert.equal((await notifier.send(withImages, { limiter })).ok, true);
+
+  const uploads = requests.filter(request => request.url === '/rooms/123/files');
+  assert.equal(uploads.length, 2, '枠を使い切ったら残りは省略');
+  assert.equal(uploads[0].headers['x-chatworktoken'], 'cw-token');
+  assert.match(uploads[0].headers['content-type'], /^multipart\/form-data/);
+  assert.match(uploads[0].body, /filename="item\.jpeg"/);
+  assert.match(uploads[0].body, /商品1/);
+  assert.deepEqual(requests.filter(request => request.url.startsWith('/img/')).map(request => request.url), ['/img/1.jpg', '/img/2.jpg']);
+  assert.equal(acquired.length, 2);
+  assert.equal(limiter.timestamps.length, 3);
+});
+
+test('ChatWork の画像アップロードが 429 なら残りを省略し、レート制限枠を止める', async () => {
+  const notifier = new ChatWorkNotifier('camera', { token: 'cw-token', roomId: '429', apiBase: baseUrl });
+  const withImages = notification();
+  withImages.entries = [1, 2].map(id => ({
+    product: { goodsId: String(id), name: `商品${id}`, price: '1000', imageUrl: `${baseUrl}/img/${id}.jpg` },
+    change: null
+  }));
+  const limiter = new RateLimiter({ limit: 300, windowMs: 300000 });
+  // 本文は成功し、アップロードだけ 429 を返す
+  assert.equal((await notifier.send(withImages, { limiter })).ok, true);
+
+  assert.equal(requests.filter(request => request.url === '/rooms/429/files').length, 1);
+  assert.ok(limiter.waitTime() > 6000, '本文の再送も Retry-After まで待つ');
+});
+
+test('Slack・Discord・Webhook は JSON で Webhook URL へ投稿する', async () => {
+  await new SlackNotifier('slack', { webhookUrl: `${baseUrl}/slack` }).send(notification());
+  await new DiscordNotifier('discord', { webhookUrl: `${baseUrl}/discord` }).send(notification());
+  await new WebhookNotifier('hook', { url: `${baseUrl}/hook`, headers: { 'X-Token': 'secret' } }).send(notification());
+
+  const [slack, discord, hook] = requests;
+  assert.equal(slack.url, '/slack');
+  assert.match(JSON.parse(slack.body).text, /Nikon F3/);
+  assert.equal(discord.url, '/discord');
+  assert.match(JSON.parse(discord.body).content, /Nikon F3/);
+  assert.equal(hook.url, '/hook');
+  assert.equal(hook.headers['x-token'], 'secret');
+  assert.deepEqual(JSON.parse(hook.body), notification());
+});
+
+test('LINE はチャネルアクセストークンで push API を呼ぶ', async () => {
+  const notifier = new LineNotifier('line', { channelAccessToken: 'line-token', to: 'U123', apiBase: baseUrl });
+
+  assert.equal((await notifier.send(notification())).ok, true);
+
+  const [request] = requests;
+  assert.equal(request.url, '/message/push');
+  assert.equal(request.headers.authorization, 'Bearer line-token');
+  const body = JSON.parse(request.body);
+  assert.equal(body.to, 'U123');
+  assert.equal(body.messages[0].type, 'text');
+});
+
+test('429 は待機時間付きで再送対象、その他の4xxは再送しない失敗になる', async () => {
+  const limited = await new SlackNotifier('slack', { webhookUrl: `${baseUrl}/fail/429` }).send(notification());
+  assert.deepEqual(
+    { ok: limited.ok, permanent: limited.permanent, retryAfterMs: limited.retryAfterMs },
+    { ok: false, permanent: false, retryAfterMs: 7000 }
+  );
+
+  const rejected = await new DiscordNotifier('discord', { webhookUrl: `${baseUrl}/fail/400` }).send(notification());
+  assert.equal(rejected.permanent, true);
+
+  const serverError = await new WebhookNotifier('hook', { url: `${baseUrl}/fail/503` }).send(notification());
+  assert.equal(serverError.permanent, false);
+});
+
+test('メールは SMTP で送信し、5xx 応答は再送しない失敗になる', async () => {
+  const options = { host: '127.0.0.1', port: smtpPort, secure: false, from: 'monitor@example.com', to: 'me@example.com' };
+
+  assert.equal((await new EmailNotifier('mail', options).send(notification())).ok, true);
+  assert.equal(mails.length, 1);
+  assert.match(mails[0].to[0], /me@example\.com/);
+  assert.match(mails[0].data, /^Subject: /m);
+
+  const rejected = await new EmailNotifier('mail', { ...options, to: 'blocked@example.com' }).send(notification());
+  assert.equal(rejected.ok, false);
+  assert.equal(rejected.permanent, true);
+});
+
+test('設定のチャネル定義から通知先を作り、指定したチャネルすべてへ送る', async () => {
+  const router = NotificationRouter.fromConfig({
+    chatworkToken: 'default-token',
+    attachImages: false,
+    notifiers: {
+      camera: { type: 'chatwork', roomId: '1', apiBase: baseUrl },
+      other: { type: 'chatwork', roomId: '2', token: 'room-token', apiBase: baseUrl },
+      slack: { type: 'slack', webhookUrl: `${baseUrl}/slack` },
+      broken: { type: 'webhook', url: `${baseUrl}/fail/500` }
+    }
+  });
+
+  assert.ok(router.channels.get('camera') instanceof ChatWorkNotifier);
+  assert.ok(router.channels.get('slack') instanceof SlackNotifier);
+  assert.equal(router.channels.get('camera').options.token, 'default-token');
+  assert.equal(router.channels.get('other').options.token, 'room-token');
+
+  const results = await router.dispatch(['camera', 'other', 'slack', 'broken', 'missing'], notification());
+
+  assert.deepEqual(results, { camera: true, other: true, slack: true, broken: false, missing: false });
+  assert.deepEqual(requests.map(request => request.url), ['/rooms/1/messages', '/rooms/2/messages', '/slack', '/fail/500']);
+  assert.equal(requests[1].headers['x-chatworktoken'], 'room-token');
+});
@@ -0,0 +1,221 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { NotificationOutbox, NotificationHistory, NotificationRouter, RateLimiter, parseRetryAfter } = require('../2st-monitor.js');
+
+let tmpDir;
+let config;
+
+/**
+ * 送信結果を順に返すチャネル（送った通知を記録）
+ */
+function fakeChannel(results) {
+  const channel = {
+    label: 'Fake[test]',
+    sent: [],
+    async send(notification) {
+      channel.sent.push(notification);
+      return results.length > 1 ? results.shift() : results[0];
+    }
+  };
+  return channel;
+}
+
+function createOutbox(channels, history = null) {
+  return new NotificationOutbox(config, new NotificationRouter(new Map(Object.entries(channels))), history);
+}
+
+function notification(...ids) {
+  return {
+    kind: 'new',
+    title: '📍 テスト',
+    urlKey: 'A_カメラ',
+    url: 'https://www.2ndstreet.jp/search',
+    entries: ids.map(id => ({ product: { goodsId: String(id), name: `商品${id}`, price: '1000' }, change: null }))
+  };
+}
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), '2st-outbox-'));
+  config = {
+    outboxFile: path.join(tmpDir, 'outbox.json'),
+    historyFile: path.join(tmpDir, 'notified.json'),
+    outboxMaxAttempts: 3,
+    outboxBaseDelaySeconds: 30,
+    outboxMaxDelaySeconds: 3600,
+    dedupeWindowHours: 24
+  };
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('通知履歴には送信できた通知だけを記録し、送信待ちの商品は重ねて登録しない', async () => {
+  const history = new NotificationHistory(config);
+  const channel = fakeChannel([{ ok: false, permanent: false, error: 'HTTP 500' }, { ok: true }]);
+  const outbox = createOutbox({ camera: channel }, history);
+
+  await outbox.enqueue(['camera'], notification(1));
+  await outbox.flush();
+  assert.equal(history.suppressDuplicates('camera', notification(1)).suppressedCount, 0);
+  // 送信待ちの間に同じ商品を検知しても二重に登録しない
+  assert.equal(history.suppressDuplicates('camera', notification(1, 2), { pending: outbox.pending }).suppressedCount, 1);
+
+  outbox.pending[0].nextAttemptAt = new Date(0).toISOString();
+  await outbox.flush();
+  assert.equal(outbox.pending.length, 0);
+  assert.equal(history.suppressDuplicates('camera', notification(1)).notification, null);
+  assert.ok(JSON.parse(fs.readFileSync(config.historyFile, 'utf-8'))['camera|new|id:1']);
+});
+
+test('破棄された通知は履歴に残らず、次に検知したら通知する', async () => {
+  const history = new NotificationHistory(config);
+  const outbox = createOutbox({ camera: fakeChannel([{ ok: false, permanent: true, error: 'HTTP 400' }]) }, history);
+
+  await outbox.enqueue(['camera'], notification(1));
+  await outbox.flush();
+
+  assert.equal(outbox.failed.length, 1);
+  assert.equal(history.suppressDuplicates('camera', notification(1), { pending: outbox.pending }).suppressedCount, 0);
+});
+
+test('送信に失敗した通知は指数バックオフで再送し、上限回数で破棄する', async () => {
+  const channel = fakeChannel([{ ok: false, permanent: false, error: 'HTTP 500' }]);
+  const outbox = createOutbox({ camera: channel });
+  const delays = [];
+
+  await outbox.enqueue(['camera'], notification(1));
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const before = Date.now();
+    await outbox.flush();
+    if (outbox.pending.length > 0) {
+      delays.push(Math.round((Date.parse(outbox.pending[0].nextAttemptAt) - before) / 1000));
+      outbox.pending[0].nextAttemptAt = new Date(0).toISOString();
+    }
+  }
+
+  assert.deepEqual(delays, [30, 60]);
+  assert.equal(channel.sent.length, 3);
+  assert.equal(outbox.pending.length, 0);
+  assert.equal(outbox.failed.length, 1);
+  assert.equal(outbox.failed[0].lastError, 'HTTP 500');
+});
+
+test('API から指定された待機時間がバックオフより長ければそれに従う', async () => {
+  const outbox = createOutbox({ camera: fakeChannel([{ ok: false, permanent: false, retryAfterMs: 120000, error: 'HTTP 429' }]) });
+
+  await outbox.enqueue(['camera'], notification(1));
+  const before = Date.now();
+  await outbox.flush();
+
+  const delay = Date.parse(outbox.pending[0].nextAttemptAt) - before;
+  assert.ok(delay >= 120000 && delay < 121000, `delay=${delay}`);
+});
+
+test('未送信の通知はファイルに保存され、再起動後に送信される', async () => {
+  const first = createOutbox({ camera: fakeChannel([{ ok: false, permanent: false, error: 'timeout' }]) });
+  await first.enqueue(['camera'], notification(1));
+  await first.flush();
+
+  const channel = fakeChannel([{ ok: true }]);
+  const restarted = createOutbox({ camera: channel });
+  await restarted.load();
+  assert.equal(restarted.pending.length, 1);
+  assert.equal(restarted.pending[0].attempts, 1);
+
+  restarted.pending[0].nextAttemptAt = new Date(0).toISOString();
+  assert.equal(await restarted.flush(), 1);
+  assert.equal(channel.sent.length, 1);
+  assert.deepEqual(JSON.parse(fs.readFileSync(config.outboxFile, 'utf-8')).pending, []);
+});
+
+test('待機中も再送時刻を迎えた通知を送る', async () => {
+  const channel = fakeChannel([{ ok: true }]);
+  const outbox = createOutbox({ camera: channel });
+  await outbox.enqueue(['camera'], notification(1));
+  outbox.pending[0].nextAttemptAt = new Date(Date.now() + 200).toISOString();
+
+  assert.ok(outbox.nextAttemptDelay() <= 200);
+  await outbox.sleepUntil(Date.now() + 1500);
+
+  assert.equal(channel.sent.length, 1);
+  assert.equal(outbox.nextAttemptDelay(), null);
+});
+
+test('レート制限中のチャネルは待機が長ければ次回送信に回す', async () => {
+  class LimitedChannel {
+    static rateLimit = { limit: 1, windowMs: 60000 };
+    constructor() {
+      this.label = 'Limited[test]';
+      this.rateLimitKey = 'limited';
+      this.sent = 0;
+    }
+    async send() {
+      this.sent++;
+      return { ok: true };
+    }
+  }
+  const channel = new LimitedChannel();
+  const outbox = createOutbox({ camera: channel });
+
+  await outbox.enqueue(['camera'], notification(1));
+  await outbox.enqueue(['camera'], notification(2));
+  assert.equal(await outbox.flush(), 1);
+
+  assert.equal(channel.sent, 1);
+  assert.equal(outbox.pending.length, 1);
+  assert.ok(Date.parse(outbox.pending[0].nextAttemptAt) > Date.now() + 50000);
+});
+
+test('スライディングウィンドウ内の送信数が上限に達したら窓が空くまで待つ', async () => {
+  const limiter = new RateLimiter({ limit: 2, windowMs: 1000 });
+  const now = Date.now();
+
+  await limiter.acquire();
+  await limiter.acquire();
+  const wait = limiter.waitTime(now);
+  assert.ok(wait > 900 && wait <= 1000, `wait=${wait}`);
+  assert.equal(limiter.waitTime(now + 1100), 0);
+
+  limiter.block(5000);
+  assert.ok(limiter.waitTime(now + 1100) > 3000);
+});
+
+test('Retry-After（秒・日時）と X-RateLimit-Reset から待機時間を求める', () => {
+  const now = Date.parse('2025-06-01T03:00:00Z');
+
+  assert.equal(parseRetryAfter({ 'retry-after': '7' }, now), 7000);
+  assert.equal(parseRetryAfter({ 'retry-after': 'Sun, 01 Jun 2025 03:00:30 GMT' }, now), 30000);
+  assert.equal(parseRetryAfter({ 'x-ratelimit-reset': String(now / 1000 + 60) }, now), 60000);
+  assert.equal(parseRetryAfter({ 'retry-after': 'Sun, 01 Jun 2025 02:00:00 GMT' }, now), 0);
+  assert.equal(parseRetryAfter({}, now), null);
+});
+
+test('保存は一時ファイル経由で置き換え、壊れた送信箱は退避して残す', async () => {
+  const outbox = createOutbox({ camera: fakeChannel([{ ok: false, permanent: false, error: 'timeout' }]) });
+  await outbox.enqueue(['camera'], notification(1));
+  await Promise.all([outbox.save(), outbox.save(), outbox.save()]);
+
+  assert.deepEqual(fs.readdirSync(tmpDir).filter(name => name.startsWith(path.basename(config.outboxFile))), [path.basename(config.outboxFile)]);
+  assert.equal(JSON.parse(fs.readFileSync(config.outboxFile, 'utf-8')).pending.length, 1);
+
+  // 書き込み途中で止まった状態
+  const truncated = fs.readFileSync(config.outboxFile, 'utf-8').slice(0, 40);
+  fs.writeFileSync(config.outboxFile, truncated);
+  const restarted = createOutbox({ camera: fakeChannel([{ ok: true }]) });
+  await restarted.load();
+
+  assert.equal(restarted.pending.length, 0);
+  const [aside] = fs.readdirSync(tmpDir).filter(name => name.includes('.corrupt-'));
+  assert.ok(aside, '壊れたファイルを退避する');
+  assert.equal(fs.readFileSync(path.join(tmpDir, aside), 'utf-8'), truncated);
+  assert.equal(fs.existsSync(config.outboxFile), false);
+  assert.match(console.error.mock.calls.at(-1).arguments[0], /送信箱が壊れているため退避/);
+});
@@ -0,0 +1,68 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { scanFollowingPages, searchPageUrl } = require('../2st-monitor.js');
+
+const config = { maxPages: 3 };
+const urlConfig = { urlKey: 'A_カメラ', url: 'https://www.2ndstreet.jp/search?category=950001&sortBy=arrival' };
+
+function product(id) {
+  return { goodsId: String(id), name: `商品${id}`, price: '10000' };
+}
+
+function page(...ids) {
+  return { status: 'ok', products: ids.map(product), html: '' };
+}
+
+// 2ページ目以降を返す偽の取得関数（呼び出されたURLを記録）
+function fakePages(pages) {
+  const requested = [];
+  const fetchPage = async ({ url }) => {
+    requested.push(url);
+    return pages[new URL(url).searchParams.get('page')] || { status: 'empty', products: [], html: '' };
+  };
+  return { fetchPage, requested };
+}
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+});
+
+test('ページ番号を付けた検索URLを作る', () => {
+  assert.equal(searchPageUrl(urlConfig.url, 2), 'https://www.2ndstreet.jp/search?category=950001&sortBy=arrival&page=2');
+  assert.equal(searchPageUrl(`${urlConfig.url}&page=5`, 3), 'https://www.2ndstreet.jp/search?category=950001&sortBy=arrival&page=3');
+});
+
+test('1ページ目に既知の商品があれば続きを読まない', async () => {
+  const { fetchPage, requested } = fakePages({});
+  const result = await scanFollowingPages(config, urlConfig, page(3, 2, 1), new Set(['id:1']), fetchPage);
+
+  assert.deepEqual(result.products.map(p => p.goodsId), ['3', '2', '1']);
+  assert.deepEqual(requested, []);
+});
+
+test('既知の商品が現れるまで続きを読み、ずれて重複した商品を除いて連結する', async () => {
+  const { fetchPage, requested } = fakePages({ 2: page(4, 3, 2, 1) });
+  const result = await scanFollowingPages(config, urlConfig, page(6, 5, 4), new Set(['id:2', 'id:1']), fetchPage);
+
+  assert.deepEqual(result.products.map(p => p.goodsId), ['6', '5', '4', '3', '2', '1']);
+  assert.equal(result.pageCount, 2);
+  assert.equal(requested.length, 1);
+});
+
+test('maxPages で打ち切り、途中で失敗したらそこまでの結果を使う', async () => {
+  const limited = await scanFollowingPages(config, urlConfig, page(9), new Set(['id:1']), fakePages({ 2: page(8), 3: page(7), 4: page(1) }).fetchPage);
+  assert.deepEqual(limited.products.map(p => p.goodsId), ['9', '8', '7']);
+
+  const failing = async () => { throw new Error('403_FORBIDDEN'); };
+  const partial = await scanFollowingPages(config, urlConfig, page(9), new Set(['id:1']), failing);
+  assert.deepEqual(partial.products.map(p => p.goodsId), ['9']);
+});
+
+test('初回（ベースライン未登録）は1ページ目のみ', async () => {
+  const { fetchPage, requested } = fakePages({ 2: page(1) });
+  const result = await scanFollowingPages(config, urlConfig, page(2), null, fetchPage);
+
+  assert.deepEqual(result.products.map(p => p.goodsId), ['2']);
+  assert.deepEqual(requested, []);
+});
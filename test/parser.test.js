@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { parseSearchResults, classifySearchPage, productKey } = require('../2st-monitor.js');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf-8');
+}
+
+test('通常の検索結果から商品情報を抽出する', () => {
+  const products = parseSearchResults(fixture('search-normal.html'));
+
+  assert.equal(products.length, 3);
+  assert.deepEqual(products[0], {
+    goodsId: '2331290345678',
+    name: 'Nikon F3 アイレベル ボディ',
+    price: '42900',
+    url: 'https://www.2ndstreet.jp/goods/detail/goodsId/2331290345678/shopsId/31116',
+    imageUrl: 'https://cdn2.2ndstreet.jp/img/pc/goods/233129/034567/1.jpg',
+    brand: 'Nikon',
+    conditionRank: 'B',
+    storeName: '渋谷神南店',
+    soldOut: false
+  });
+});
+
+test('絶対URL・src属性の画像・任意項目なしのカードも扱える', () => {
+  const [, canon, cap] = parseSearchResults(fixture('search-normal.html'));
+
+  assert.equal(canon.goodsId, '2331290345679');
+  assert.equal(canon.price, '128000');
+  assert.equal(canon.imageUrl, 'https://cdn2.2ndstreet.jp/img/pc/goods/233129/034568/1.jpg');
+
+  assert.equal(cap.price, '330');
+  assert.equal(cap.brand, null);
+  assert.equal(cap.conditionRank, null);
+  assert.equal(cap.storeName, null);
+  assert.equal(cap.imageUrl, null);
+});
+
+test('売り切れカードは除外する', () => {
+  const products = parseSearchResults(fixture('search-soldout.html'));
+
+  assert.deepEqual(products.map(p => p.goodsId), ['2331290000003']);
+  assert.equal(products[0].conditionRank, 'C');
+});
+
+test('価格欄のないカードは除外し、数値のない価格は0として扱う', () => {
+  const products = parseSearchResults(fixture('search-missing-price.html'));
+
+  assert.deepEqual(
+    products.map(p => [p.goodsId, p.price]),
+    [['2331290000011', '0'], ['2331290000012', '38500']]
+  );
+});
+
+test('円記号・全角数字・円表記・税込表記の価格を解析する', () => {
+  const products = parseSearchResults(fixture('search-price-variants.html'));
+
+  assert.deepEqual(products.map(p => p.price), ['1280000', '348000', '498000', '9800']);
+});
+
+test('商品のない検索結果は空配列を返す', () => {
+  assert.deepEqual(parseSearchResults(fixture('search-empty.html')), []);
+  assert.deepEqual(parseSearchResults(''), []);
+});
+
+test('検索結果ページを 商品あり / 該当なし / Bot対策 / レイアウト変更 に分類する', () => {
+  assert.equal(classifySearchPage(fixture('search-normal.html')).status, 'ok');
+  assert.equal(classifySearchPage(fixture('search-empty.html')).status, 'empty');
+  assert.equal(classifySearchPage(fixture('search-blocked.html')).status, 'blocked');
+
+  const changed = classifySearchPage(fixture('search-layout-changed.html'));
+  assert.equal(changed.status, 'layout_changed');
+  assert.deepEqual(changed.products, []);
+});
+
+test('カードはあるが名前・価格を1件も抽出できない場合もレイアウト変更とみなす', () => {
+  const html = '<ul><li class="itemCard"><p class="itemCard_title">Nikon F3</p><p class="itemCard_cost">¥42,900</p></li></ul>';
+  const result = classifySearchPage(html);
+
+  assert.equal(result.status, 'layout_changed');
+  assert.equal(result.cardCount, 1);
+});
+
+test('商品キーは商品IDを優先し、IDがなければ名前+価格のハッシュを使う', () => {
+  assert.equal(productKey({ goodsId: '123', name: 'A', price: '1' }), 'id:123');
+  assert.match(productKey({ goodsId: null, name: 'A', price: '1' }), /^[0-9a-f]{8}$/);
+});
@@ -0,0 +1,150 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { UrlScheduler } = require('../2st-monitor.js');
+
+let tmpDir;
+const config = {
+  scheduleFile: null,
+  scheduleHalfLifeDays: 14,
+  timezone: 'Asia/Tokyo'
+};
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), '2st-schedule-'));
+  config.scheduleFile = path.join(tmpDir, 'schedule.json');
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function urlConfig(urlKey, overrides = {}) {
+  return {
+    urlKey,
+    intervals: { base: 300, mid: 900, slow: 1800 },
+    sleep: [{ startHour: 1, endHour: 8 }],
+    ...overrides
+  };
+}
+
+// 2025-06-02 は月曜日（時刻は日本時間、コンテナのタイムゾーンに依存しない）
+function at(hour, minute = 0, day = 2) {
+  return new Date(Date.UTC(2025, 5, day, hour - 9, minute));
+}
+
+function createScheduler(now) {
+  const clock = { now };
+  const scheduler = new UrlScheduler(config, () => clock.now);
+  return { scheduler, clock };
+}
+
+test('スリープ時間帯は null を返す', () => {
+  const camera = urlConfig('A_カメラ');
+
+  assert.equal(createScheduler(at(1)).scheduler.getInterval(camera), null);
+  assert.equal(createScheduler(at(7, 59)).scheduler.getInterval(camera), null);
+  assert.notEqual(createScheduler(at(8)).scheduler.getInterval(camera), null);
+});
+
+test('前後1時間の新着が多い時間帯は基本間隔、やや少なければ中間隔、なければ低頻度', () => {
+  const { scheduler, clock } = createScheduler(at(20));
+  scheduler.record('A_カメラ', 5);
+  clock.now = at(21);
+  scheduler.record('A_カメラ', 5);
+
+  // 直近の新着の影響を外して新着スコアだけで判定
+  scheduler.getEntry('A_カメラ').lastNewItemTime = null;
+  assert.deepEqual(scheduler.getInterval(urlConfig('A_カメラ'), at(20, 30)), { interval: 300, reason: 'アクティブ時間帯' });
+  assert.deepEqual(scheduler.getInterval(urlConfig('A_カメラ'), at(22, 30)), { interval: 900, reason: '中程度' });
+  assert.deepEqual(scheduler.getInterval(urlConfig('A_カメラ'), at(10)), { interval: 1800, reason: '低頻度' });
+});
+
+test('直近30分以内は基本間隔、2時間以内は中間隔', () => {
+  const { scheduler } = createScheduler(at(14));
+  scheduler.record('A_カメラ', 1);
+
+  assert.equal(scheduler.getInterval(urlConfig('A_カメラ'), at(14, 20)).interval, 300);
+  assert.equal(scheduler.getInterval(urlConfig('A_カメラ'), at(15, 30)).interval, 900);
+});
+
+test('URLごとに傾向と間隔を分けて扱う', () => {
+  const { scheduler } = createScheduler(at(12));
+  scheduler.record('A_カメラ', 10);
+  scheduler.record('A_時計', 0);
+
+  const watch = urlConfig('A_時計', { intervals: { base: 600, mid: 1800, slow: 3600 } });
+  assert.equal(scheduler.getInterval(urlConfig('A_カメラ'), at(12, 10)).interval, 300);
+  assert.deepEqual(scheduler.getInterval(watch, at(12, 10)), { interval: 3600, reason: '低頻度' });
+});
+
+test('同じ曜日の傾向を重視し、古い記録は減衰する', () => {
+  const { scheduler, clock } = createScheduler(at(12));
+  scheduler.record('A_カメラ', 8);
+
+  const monday = scheduler.activityScore('A_カメラ', at(12, 0, 2));
+  const tuesday = scheduler.activityScore('A_カメラ', at(12, 0, 3));
+  assert.ok(monday > tuesday);
+
+  // 半減期（14日）後の記録で過去分は半分になる
+  clock.now = at(12, 0, 16);
+  scheduler.record('A_カメラ', 0);
+  assert.ok(Math.abs(scheduler.activityScore('A_カメラ', at(12, 0, 16)) - monday / 2) < 1e-9);
+});
+
+test('次回実行時刻はスリープ時間帯を避け、実行時刻を迎えたURLだけを返す', () => {
+  const { scheduler, clock } = createScheduler(at(0, 50));
+  const camera = urlConfig('A_カメラ');
+  const watch = urlConfig('A_時計', { sleep: [{ startHour: 3, endHour: 4 }] });
+
+  assert.deepEqual(scheduler.dueUrls([camera, watch]).map(u => u.urlKey), ['A_カメラ', 'A_時計']);
+
+  // 00:50 + 30分 → 1時〜8時はスリープなので 8:00
+  assert.deepEqual(scheduler.scheduleNext(camera).nextRunAt, at(8));
+  assert.deepEqual(scheduler.scheduleNext(watch).nextRunAt, at(1, 20));
+
+  clock.now = at(1, 30);
+  assert.deepEqual(scheduler.dueUrls([camera, watch]).map(u => u.urlKey), ['A_時計']);
+  assert.equal(scheduler.nextDue([camera]).at.getTime(), at(8).getTime());
+});
+
+test('日をまたぐスリープ時間帯・複数の時間帯を扱う', () => {
+  const night = urlConfig('A_カメラ', { sleep: [{ startHour: 23, endHour: 6 }, { startHour: 13, endHour: 14 }] });
+
+  assert.equal(createScheduler(at(23, 30)).scheduler.getInterval(night), null);
+  assert.equal(createScheduler(at(5, 59)).scheduler.getInterval(night), null);
+  assert.equal(createScheduler(at(13, 10)).scheduler.getInterval(night), null);
+  assert.notEqual(createScheduler(at(6)).scheduler.getInterval(night), null);
+  assert.notEqual(createScheduler(at(22, 59)).scheduler.getInterval(night), null);
+
+  // 22:50 + 30分 → 23時〜翌6時はスリープなので翌朝 6:00
+  const { scheduler } = createScheduler(at(22, 50));
+  assert.deepEqual(scheduler.scheduleNext(night).nextRunAt, at(6, 0, 3));
+});
+
+test('時間帯は設定したタイムゾーンで判定する', () => {
+  // UTC 16:30 = 日本時間 1:30（スリープ中）、UTC 0:00 = 日本時間 9:00
+  const camera = urlConfig('A_カメラ');
+  assert.equal(createScheduler(new Date('2025-06-01T16:30:00Z')).scheduler.getInterval(camera), null);
+  assert.notEqual(createScheduler(new Date('2025-06-02T00:00:00Z')).scheduler.getInterval(camera), null);
+
+  const { scheduler } = createScheduler(new Date('2025-06-02T11:00:00Z'));
+  scheduler.record('A_カメラ', 3);
+  assert.equal(scheduler.getEntry('A_カメラ').hourly[20], 3);
+  assert.equal(scheduler.getEntry('A_カメラ').weekly[1 * 24 + 20], 3);
+
+  // 同じ時刻でもタイムゾーンが違えば別の時間帯に集計される
+  const utc = new UrlScheduler({ ...config, timezone: 'UTC' }, () => new Date('2025-06-02T11:00:00Z'));
+  utc.record('A_カメラ', 3);
+  assert.equal(utc.getEntry('A_カメラ').hourly[11], 3);
+});
+
+test('未実行のURLは時計が進んでも即座に実行対象になる', () => {
+  let now = at(10).getTime();
+  const scheduler = new UrlScheduler(config, () => new Date(now++));
+
+  assert.deepEqual(scheduler.dueUrls([urlConfig('A_カメラ'), urlConfig('A_時計')]).map(u => u.urlKey), ['A_カメラ', 'A_時計']);
+});
@@ -0,0 +1,168 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SnapshotManager } = require('../2st-monitor.js');
+
+let tmpDir;
+let now;
+
+function createManager(overrides = {}) {
+  const config = {
+    snapshotFile: path.join(tmpDir, 'snapshot.json'),
+    snapshotHistorySize: 500,
+    alerts: {
+      priceDrop: { enabled: true, minAmount: 1000, minPercent: 10 },
+      relist: { enabled: true, minAbsentMinutes: 60 }
+    },
+    ...overrides
+  };
+  return new SnapshotManager(config, () => new Date(now));
+}
+
+function product(id, price = 10000) {
+  return { goodsId: String(id), name: `商品${id}`, price: String(price) };
+}
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), '2st-snapshot-'));
+  now = Date.parse('2025-06-01T03:00:00Z');
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('初回はベースライン登録のみで通知しない', async () => {
+  const manager = createManager();
+
+  assert.deepEqual(await manager.detectNewProducts('camera', [product(1), product(2)]), []);
+  assert.deepEqual(manager.snapshots.camera.seenKeys, ['id:1', 'id:2']);
+});
+
+test('前回以降に増えた商品をすべて返す', async () => {
+  const manager = createManager();
+  await manager.detectNewProducts('camera', [product(1), product(2)]);
+
+  const newProducts = await manager.detectNewProducts('camera', [product(5), product(4), product(3), product(1), product(2)]);
+
+  assert.deepEqual(newProducts.map(p => p.goodsId), ['5', '4', '3']);
+});
+
+test('1位が取り下げられても既知の商品は新着扱いしない', async () => {
+  const manager = createManager();
+  await manager.detectNewProducts('camera', [product(1), product(2), product(3)]);
+
+  assert.deepEqual(await manager.detectNewProducts('camera', [product(2), product(3)]), []);
+});
+
+test('スナップショットを保存し、再読み込み後も既知商品を覚えている', async () => {
+  await createManager().detectNewProducts('camera', [product(1)]);
+
+  const reloaded = createManager();
+  await reloaded.load();
+
+  assert.deepEqual(await reloaded.detectNewProducts('camera', [product(2), product(1)]), [product(2)]);
+});
+
+test('ベースラインを消去すると次回は登録し直して通知しない', async () => {
+  const manager = createManager();
+  await manager.detectNewProducts('camera', [product(1)]);
+
+  assert.equal(manager.reset('camera'), true);
+  assert.equal(manager.reset('camera'), false);
+  await manager.save();
+
+  const reloaded = createManager();
+  await reloaded.load();
+  assert.deepEqual(await reloaded.detectNewProducts('camera', [product(2), product(1)]), []);
+  assert.deepEqual(reloaded.snapshots.camera.seenKeys, ['id:2', 'id:1']);
+});
+
+test('既知キー履歴は上限件数で切り詰める', async () => {
+  const manager = createManager({ snapshotHistorySize: 3 });
+  await manager.detectNewProducts('camera', [product(1), product(2)]);
+  await manager.detectNewProducts('camera', [product(3), product(4)]);
+
+  assert.deepEqual(manager.snapshots.camera.seenKeys, ['id:3', 'id:4', 'id:1']);
+});
+
+test('値下げ幅が閾値以上なら値下げとして検知する', async () => {
+  const manager = createManager();
+  await manager.detectChanges('camera', [product(1, 10000), product(2, 50000)]);
+
+  const { newProducts, priceDrops } = await manager.detectChanges('camera', [product(1, 9500), product(2, 48000)]);
+
+  assert.deepEqual(newProducts, []);
+  assert.deepEqual(
+    priceDrops.map(d => [d.product.goodsId, d.oldPrice, d.newPrice, d.diff]),
+    [['2', 50000, 48000, -2000]]
+  );
+});
+
+test('一覧から一定時間消えていた商品が戻ると再出品として検知する', async () => {
+  const manager = createManager();
+  await manager.detectChanges('camera', [product(1), product(2)]);
+  await manager.detectChanges('camera', [product(2)]);
+
+  now += 30 * 60000;
+  assert.deepEqual((await manager.detectChanges('camera', [product(2)])).relisted, []);
+
+  now += 60 * 60000;
+  const { relisted } = await manager.detectChanges('camera', [product(1, 8000), product(2)]);
+
+  assert.deepEqual(relisted.map(r => [r.product.goodsId, r.oldPrice, r.newPrice]), [['1', 10000, 8000]]);
+});
+
+test('入荷で後ろのページへ送られた商品は掲載終了とみなさず、戻っても再出品にしない', async () => {
+  const manager = createManager();
+  await manager.detectChanges('camera', [product(1), product(2), product(3)]);
+
+  // 新着2件で 2・3 が1ページ目から押し出された
+  now += 90 * 60000;
+  await manager.detectChanges('camera', [product(5), product(4), product(1)]);
+  assert.equal(manager.snapshots.camera.items['id:2'].absentSince, null);
+  assert.equal(manager.snapshots.camera.items['id:3'].absentSince, null);
+
+  // 2ページ目まで読んで現れても再出品ではない
+  now += 90 * 60000;
+  const { relisted } = await manager.detectChanges('camera', [product(5), product(4), product(1), product(2), product(3)]);
+  assert.deepEqual(relisted, []);
+});
+
+test('小刻みな値下げも初出時（前回通知時）の価格からの累計で検知する', async () => {
+  const manager = createManager();
+  await manager.detectChanges('camera', [product(1, 10000)]);
+
+  assert.deepEqual((await manager.detectChanges('camera', [product(1, 9500)])).priceDrops, []);
+  const { priceDrops } = await manager.detectChanges('camera', [product(1, 9000)]);
+  assert.deepEqual(priceDrops.map(d => [d.oldPrice, d.newPrice]), [[10000, 9000]]);
+
+  // 通知後は通知した価格が基準
+  assert.deepEqual((await manager.detectChanges('camera', [product(1, 8500)])).priceDrops, []);
+  assert.deepEqual((await manager.detectChanges('camera', [product(1, 8000)])).priceDrops.map(d => d.oldPrice), [9000]);
+
+  // 値上がりしたらその価格が基準
+  await manager.detectChanges('camera', [product(1, 12000)]);
+  assert.deepEqual((await manager.detectChanges('camera', [product(1, 11000)])).priceDrops.map(d => d.oldPrice), [12000]);
+});
+
+test('値下げの閾値は 0 / null にした条件を使わない', () => {
+  const manager = createManager();
+  const drop = (oldPrice, newPrice, thresholds) => manager.isSignificantDrop(oldPrice, newPrice, thresholds);
+
+  // 率だけ: 100,000円 → 99,000円（1%）は通知しない
+  assert.equal(drop(100000, 99000, { minAmount: 0, minPercent: 10 }), false);
+  assert.equal(drop(100000, 90000, { minAmount: 0, minPercent: 10 }), true);
+  assert.equal(drop(100000, 99000, { minAmount: null, minPercent: 10 }), false);
+  // 金額だけ
+  assert.equal(drop(1000, 500, { minAmount: 1000, minPercent: null }), false);
+  assert.equal(drop(20000, 19000, { minAmount: 1000, minPercent: 0 }), true);
+  // どちらか一方を満たせば通知
+  assert.equal(drop(1000, 850, { minAmount: 1000, minPercent: 10 }), true);
+  // 両方外すと値下げはすべて通知、値上がり・同額は対象外
+  assert.equal(drop(1000, 999, { minAmount: 0, minPercent: null }), true);
+  assert.equal(drop(1000, 1000, { minAmount: 0, minPercent: 0 }), false);
+});
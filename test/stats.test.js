@@ -0,0 +1,93 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { StatsManager } = require('../2st-monitor.js');
+
+let tmpDir;
+const config = {
+  statsFile: null,
+  timezone: 'Asia/Tokyo'
+};
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), '2st-stats-'));
+  config.statsFile = path.join(tmpDir, 'stats.json');
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function hourly(counts = {}) {
+  return { ...Object.fromEntries([...Array(24)].map((_, i) => [i, 0])), ...counts };
+}
+
+function createManager(date, stats = {}) {
+  const manager = new StatsManager(config, () => date);
+  manager.stats = {
+    hourlyNewItems: hourly(),
+    totalChecks: 0,
+    totalNewItems: 0,
+    lastNewItemTime: null,
+    errorCount: 0,
+    lastErrorTime: null,
+    ...stats
+  };
+  return manager;
+}
+
+// 日本時間で指定
+function at(hour, minute = 0) {
+  return new Date(Date.UTC(2025, 5, 1, hour - 9, minute));
+}
+
+test('チェック結果を時間帯別・累計に集計する', async () => {
+  const now = at(12);
+  const manager = createManager(now);
+
+  await manager.update(3, 1);
+  await manager.update(0);
+
+  assert.equal(manager.stats.hourlyNewItems[12], 3);
+  assert.equal(manager.stats.totalChecks, 2);
+  assert.equal(manager.stats.totalNewItems, 3);
+  assert.equal(manager.stats.suppressedCount, 1);
+  assert.equal(manager.stats.lastNewItemTime, now.toISOString());
+});
+
+test('URLごとに取得経路（HTTP / ブラウザ）を集計する', () => {
+  const manager = createManager(at(12));
+
+  manager.recordFetchPath('A_カメラ', 'http');
+  manager.recordFetchPath('A_カメラ', 'browser');
+  manager.recordFetchPath('A_カメラ', 'http');
+
+  assert.deepEqual(manager.stats.fetchPaths, {
+    'A_カメラ': { http: 2, browser: 1, lastPath: 'http' }
+  });
+});
+
+test('URLごとのチェック結果を記録し、成功で連続エラーをリセットする', async () => {
+  const manager = createManager(at(12));
+
+  await manager.recordResult('A_カメラ', 'blocked', { error: '403 Forbidden' });
+  await manager.recordResult('A_カメラ', 'layout_changed', { error: 'パース失敗' });
+  assert.equal(manager.stats.urls['A_カメラ'].consecutiveErrors, 2);
+  assert.equal(manager.stats.lastSuccessAt, undefined);
+
+  await manager.recordResult('A_カメラ', 'ok', { newItems: 2 });
+  assert.deepEqual(manager.stats.urls['A_カメラ'], {
+    checks: 3,
+    errors: 2,
+    consecutiveErrors: 0,
+    newItems: 2,
+    lastResult: 'ok',
+    lastCheckAt: at(12).toISOString(),
+    lastSuccessAt: at(12).toISOString(),
+    lastError: 'パース失敗'
+  });
+  assert.equal(manager.stats.lastSuccessAt, at(12).toISOString());
+});
@@ -0,0 +1,154 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { StatusServer, StatsManager, UrlScheduler, CircuitBreaker } = require('../2st-monitor.js');
+
+const config = {
+  timezone: 'Asia/Tokyo',
+  statsFile: null,
+  scheduleFile: null,
+  scheduleHalfLifeDays: 14,
+  circuitFailureThreshold: 3,
+  statusServerHost: '127.0.0.1',
+  statusServerPort: 0,
+  statusStaleMinutes: 60
+};
+
+const urls = [
+  { urlKey: 'A_カメラ', url: 'https://www.2ndstreet.jp/search?category=950001', intervals: { base: 300, mid: 900, slow: 1800 }, sleep: [{ startHour: 1, endHour: 8 }] },
+  { urlKey: 'A_"時計"', url: 'https://www.2ndstreet.jp/search?category=950002', intervals: { base: 300, mid: 900, slow: 1800 }, sleep: [{ startHour: 1, endHour: 8 }] }
+];
+
+let tmpDir;
+let clock;
+let server;
+
+// 日本時間で指定
+function at(hour, minute = 0, day = 2) {
+  return new Date(Date.UTC(2025, 5, day, hour - 9, minute));
+}
+
+async function createServer() {
+  const now = () => clock.now;
+  const statsManager = new StatsManager(config, now);
+  statsManager.stats = { hourlyNewItems: {}, totalChecks: 0, totalNewItems: 0, lastNewItemTime: null, errorCount: 0, lastErrorTime: null, fetchPaths: {}, lastSuccessAt: null, urls: {} };
+  const scheduler = new UrlScheduler(config, now);
+  const breaker = new CircuitBreaker(config);
+  server = new StatusServer(config, { statsManager, scheduler, breaker, outbox: { pending: [{}] }, urls }, now);
+  await server.start();
+  return { statsManager, scheduler, breaker };
+}
+
+async function get(pathname) {
+  const response = await fetch(`http://127.0.0.1:${server.port}${pathname}`);
+  return { status: response.status, body: await response.text() };
+}
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), '2st-status-'));
+  config.statsFile = path.join(tmpDir, 'stats.json');
+  config.scheduleFile = path.join(tmpDir, 'schedule.json');
+  clock = { now: at(10) };
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(async () => {
+  await server.stop();
+  mock.restoreAll();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('/healthz は最後の取得成功が古くなると 503 を返す（起動直後・スリープ明けは猶予）', async () => {
+  const { statsManager } = await createServer();
+
+  // 起動直後は成功がなくても正常
+  assert.equal((await get('/healthz')).status, 200);
+
+  await statsManager.recordResult('A_カメラ', 'ok', { newItems: 2 });
+  clock.now = at(10, 59);
+  const healthy = JSON.parse((await get('/healthz')).body);
+  assert.equal(healthy.status, 'ok');
+  assert.equal(healthy.lastSuccessAgeSeconds, 59 * 60);
+
+  clock.now = at(11, 1);
+  const stale = await get('/healthz');
+  assert.equal(stale.status, 503);
+  assert.equal(JSON.parse(stale.body).status, 'stale');
+
+  // 翌日: スリープ中・スリープ明け直後は成功がなくても正常
+  clock.now = at(3, 0, 3);
+  assert.equal((await get('/healthz')).status, 200);
+  clock.now = at(8, 30, 3);
+  assert.equal((await get('/healthz')).status, 200);
+  clock.now = at(9, 1, 3);
+  assert.equal((await get('/healthz')).status, 503);
+});
+
+test('/healthz は他のURLが成功していても成功が途絶えたURLがあれば 503 を返す', async () => {
+  const { statsManager } = await createServer();
+
+  await statsManager.recordResult('A_"時計"', 'ok', { newItems: 0 });
+  clock.now = at(10, 30);
+  await statsManager.recordResult('A_"時計"', 'blocked', { error: '403 Forbidden' });
+  for (const minute of [30, 50, 70]) {
+    clock.now = at(10, minute);
+    await statsManager.recordResult('A_カメラ', 'ok', { newItems: 0 });
+  }
+
+  clock.now = at(11, 10);
+  const { status, body } = await get('/healthz');
+  const health = JSON.parse(body);
+
+  assert.equal(status, 503);
+  assert.equal(health.lastSuccessAgeSeconds, 0);
+  assert.deepEqual(health.staleUrls, ['A_"時計"']);
+  assert.deepEqual(health.urls.map(url => [url.urlKey, url.lastSuccessAgeSeconds, url.stale]), [
+    ['A_カメラ', 0, false],
+    ['A_"時計"', 70 * 60, true]
+  ]);
+});
+
+test('/status はURLごとの直近結果・次回実行・エラー数・サーキット状態を返す', async () => {
+  const { statsManager, scheduler, breaker } = await createServer();
+  await statsManager.recordResult('A_カメラ', 'ok', { newItems: 3 });
+  await statsManager.recordResult('A_"時計"', 'blocked', { error: '403 Forbidden' });
+  await statsManager.recordResult('A_"時計"', 'error', { error: '商品取得失敗' });
+  breaker.recordFailure('A_"時計"', '商品取得失敗');
+  scheduler.getEntry('A_カメラ').nextRunAt = at(10, 30).toISOString();
+
+  const { status, body } = await get('/status');
+  const data = JSON.parse(body);
+
+  assert.equal(status, 200);
+  assert.equal(data.outboxPending, 1);
+  assert.equal(data.siteCircuit.state, 'closed');
+  assert.deepEqual(data.urls.map(u => [u.urlKey, u.lastResult, u.errors, u.consecutiveErrors]), [
+    ['A_カメラ', 'ok', 0, 0],
+    ['A_"時計"', 'error', 2, 2]
+  ]);
+  assert.equal(data.urls[0].newItems, 3);
+  assert.equal(data.urls[0].nextRunAt, at(10, 30).toISOString());
+  assert.equal(data.urls[1].lastError, '商品取得失敗');
+  assert.equal(data.urls[1].circuit.consecutiveFailures, 1);
+});
+
+test('/metrics は Prometheus テキスト形式で返す', async () => {
+  const { statsManager } = await createServer();
+  await statsManager.recordResult('A_カメラ', 'ok', { newItems: 3 });
+  statsManager.recordFetchPath('A_カメラ', 'http');
+
+  const { status, body } = await get('/metrics');
+
+  assert.equal(status, 200);
+  assert.match(body, /^# TYPE secondstreet_monitor_up gauge$/m);
+  assert.match(body, /^secondstreet_monitor_up 1$/m);
+  assert.match(body, /^secondstreet_monitor_outbox_pending 1$/m);
+  assert.match(body, /^secondstreet_monitor_url_new_items_total\{url="A_カメラ"\} 3$/m);
+  assert.match(body, /^secondstreet_monitor_url_fetch_path_total\{url="A_カメラ",path="http"\} 1$/m);
+  assert.match(body, /^secondstreet_monitor_url_checks_total\{url="A_\\"時計\\""\} 0$/m);
+  assert.match(body, /^secondstreet_monitor_circuit_state\{circuit="site",state="closed"\} 1$/m);
+  assert.equal((await get('/unknown')).status, 404);
+});
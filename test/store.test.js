@@ -0,0 +1,157 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SqliteStore, SnapshotManager, StatsManager } = require('../2st-monitor.js');
+
+// better-sqlite3 は optionalDependencies（インストールできない環境ではスキップ）
+let Database = null;
+try {
+  Database = require('better-sqlite3');
+} catch {
+  // 未インストール
+}
+const skip = Database ? false : 'better-sqlite3 が未インストール';
+
+let tmpDir;
+let now;
+let config;
+const stores = [];
+
+async function openStore() {
+  const store = new SqliteStore(config, () => new Date(now));
+  await store.open();
+  stores.push(store);
+  return store;
+}
+
+function query(sql, ...params) {
+  const db = new Database(config.databaseFile, { readonly: true });
+  try {
+    return db.prepare(sql).all(...params);
+  } finally {
+    db.close();
+  }
+}
+
+function product(id, price = 10000) {
+  return { goodsId: String(id), name: `商品${id}`, price: String(price), url: `https://www.2ndstreet.jp/goods/detail/goodsId/${id}` };
+}
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), '2st-store-'));
+  now = Date.parse('2025-06-01T03:00:00Z');
+  config = {
+    snapshotFile: path.join(tmpDir, 'snapshot.json'),
+    statsFile: path.join(tmpDir, 'stats.json'),
+    databaseFile: path.join(tmpDir, 'history.db'),
+    snapshotHistorySize: 500,
+    alerts: {
+      priceDrop: { enabled: true, minAmount: 1000, minPercent: 10 },
+      relist: { enabled: true, minAbsentMinutes: 60 }
+    }
+  };
+});
+
+afterEach(() => {
+  stores.splice(0).forEach(store => store.close());
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('初回オープン時に既存のJSONスナップショット・統計を取り込む', { skip }, async () => {
+  fs.writeFileSync(config.snapshotFile, JSON.stringify({
+    'A_カメラ': {
+      seenKeys: ['id:1'],
+      items: { 'id:1': { name: '商品1', price: '12000', url: null, firstSeen: '2025-05-01T00:00:00.000Z', lastSeen: '2025-05-31T00:00:00.000Z', absentSince: null, prices: [{ price: '12000', at: '2025-05-01T00:00:00.000Z' }] } },
+      firstProductName: '商品1',
+      timestamp: '2025-05-31T00:00:00.000Z'
+    }
+  }));
+  fs.writeFileSync(config.statsFile, JSON.stringify({ totalChecks: 42 }));
+
+  const store = await openStore();
+  assert.deepEqual((await store.loadSnapshots())['A_カメラ'].seenKeys, ['id:1']);
+  assert.equal((await store.loadStats()).totalChecks, 42);
+  assert.deepEqual(query('SELECT product_id, price, first_seen FROM products'), [
+    { product_id: '1', price: 12000, first_seen: '2025-05-01T00:00:00.000Z' }
+  ]);
+
+  // 取り込みは一度だけ（以降はDBが正）
+  await store.saveStats({ totalChecks: 43 });
+  store.close();
+  assert.equal((await (await openStore()).loadStats()).totalChecks, 43);
+  assert.ok(fs.existsSync(config.statsFile));
+});
+
+test('見かけた商品の初出・最終確認・消えた時刻・価格推移を記録する', { skip }, async () => {
+  const store = await openStore();
+  const manager = new SnapshotManager(config, () => new Date(now), store);
+  await manager.load();
+
+  await manager.detectChanges('A_カメラ', [product(1), product(2), product(4)]);
+  await manager.save();
+  now += 3600000;
+  await manager.detectChanges('A_カメラ', [product(3), product(1, 8000), product(4)]);
+  await manager.save();
+
+  assert.deepEqual(query('SELECT product_key, price, first_seen, last_seen, disappeared_at FROM products ORDER BY product_key'), [
+    { product_key: 'id:1', price: 8000, first_seen: '2025-06-01T03:00:00.000Z', last_seen: '2025-06-01T04:00:00.000Z', disappeared_at: null },
+    { product_key: 'id:2', price: 10000, first_seen: '2025-06-01T03:00:00.000Z', last_seen: '2025-06-01T03:00:00.000Z', disappeared_at: '2025-06-01T04:00:00.000Z' },
+    { product_key: 'id:3', price: 10000, first_seen: '2025-06-01T04:00:00.000Z', last_seen: '2025-06-01T04:00:00.000Z', disappeared_at: null },
+    { product_key: 'id:4', price: 10000, first_seen: '2025-06-01T03:00:00.000Z', last_seen: '2025-06-01T04:00:00.000Z', disappeared_at: null }
+  ]);
+  assert.deepEqual(query("SELECT price, observed_at FROM price_history WHERE product_key = 'id:1' ORDER BY observed_at"), [
+    { price: 10000, observed_at: '2025-06-01T03:00:00.000Z' },
+    { price: 8000, observed_at: '2025-06-01T04:00:00.000Z' }
+  ]);
+
+  // 再起動後もスナップショットを復元できる
+  const reloaded = new SnapshotManager(config, () => new Date(now), store);
+  await reloaded.load();
+  assert.deepEqual(reloaded.snapshots, manager.snapshots);
+});
+
+test('チェックごとの所要時間・結果・件数を記録する', { skip }, async () => {
+  const store = await openStore();
+  const stats = new StatsManager(config, () => new Date(now), store);
+  await stats.load();
+
+  const check = { runId: 'abcd1234', startedAt: '2025-06-01T03:00:00.000Z', durationMs: 1500, itemCount: 30, fetchPath: 'http' };
+  await stats.recordResult('A_カメラ', 'ok', { newItems: 2, check });
+  await stats.recordResult('A_カメラ', 'blocked', { error: '403 Forbidden', check: { ...check, itemCount: 0, fetchPath: null } });
+
+  assert.deepEqual(query('SELECT run_id, url_key, duration_ms, status, item_count, new_items, fetch_path, error FROM check_runs ORDER BY id'), [
+    { run_id: 'abcd1234', url_key: 'A_カメラ', duration_ms: 1500, status: 'ok', item_count: 30, new_items: 2, fetch_path: 'http', error: null },
+    { run_id: 'abcd1234', url_key: 'A_カメラ', duration_ms: 1500, status: 'blocked', item_count: 0, new_items: 0, fetch_path: null, error: '403 Forbidden' }
+  ]);
+});
+
+test('読み取り専用で開くとJSONの取り込みも含めてファイルを書き換えない', { skip }, async () => {
+  fs.writeFileSync(config.statsFile, JSON.stringify({ totalChecks: 42 }));
+
+  const store = new SqliteStore(config, () => new Date(now));
+  await store.open({ readOnly: true });
+  stores.push(store);
+  assert.equal((await store.loadStats()).totalChecks, 42);
+  await store.saveStats({ totalChecks: 43 });
+  assert.equal(fs.existsSync(config.databaseFile), false);
+
+  // 既存のDBも変更しない
+  const writable = await openStore();
+  await writable.saveStats({ totalChecks: 50 });
+  writable.close();
+  const copy = new SqliteStore(config, () => new Date(now));
+  await copy.open({ readOnly: true });
+  stores.push(copy);
+  await copy.saveStats({ totalChecks: 99 });
+  assert.equal(JSON.parse(query('SELECT data FROM stats')[0].data).totalChecks, 50);
+});
+
+test('DBの置き場所のディレクトリがなければ作成する', { skip }, async () => {
+  config.databaseFile = path.join(tmpDir, 'data', 'history.db');
+  await openStore();
+
+  assert.ok(fs.existsSync(config.databaseFile));
+});
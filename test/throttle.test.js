@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { HostThrottle } = require('../2st-monitor.js');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('同一ホストへの同時実行数を上限までに抑える', async () => {
+  const throttle = new HostThrottle({ perHostConcurrency: 2, minRequestIntervalMs: 0 });
+  let active = 0;
+  let maxActive = 0;
+
+  await Promise.all([...Array(6)].map(() => throttle.run('https://www.2ndstreet.jp/search', async () => {
+    active += 1;
+    maxActive = Math.max(maxActive, active);
+    await sleep(20);
+    active -= 1;
+  })));
+
+  assert.equal(maxActive, 2);
+});
+
+test('リクエストの開始間隔を空け、別ホストは独立して扱う', async () => {
+  const throttle = new HostThrottle({ perHostConcurrency: 5, minRequestIntervalMs: 50 });
+  const starts = [];
+  const task = host => throttle.run(`https://${host}/`, async () => starts.push({ host, at: Date.now() }));
+
+  await Promise.all([task('a.example'), task('a.example'), task('a.example'), task('b.example')]);
+
+  const a = starts.filter(s => s.host === 'a.example').map(s => s.at);
+  assert.ok(a[1] - a[0] >= 45 && a[2] - a[1] >= 45);
+  assert.ok(starts.find(s => s.host === 'b.example').at - a[0] < 45);
+});
+
+test('タスクが失敗しても枠を解放する', async () => {
+  const throttle = new HostThrottle({ perHostConcurrency: 1, minRequestIntervalMs: 0 });
+
+  await assert.rejects(throttle.run('https://a.example/', async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(await throttle.run('https://a.example/', async () => 'ok'), 'ok');
+});